@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+import chalk from "chalk";
+import fs from "fs";
+import { addFeature } from "../lib/add.js";
+import { generate } from "../lib/generate.js";
+import { createProgram } from "../lib/options.js";
+import { printPlan } from "../lib/plan.js";
+import { createProject, installSteps } from "../lib/scaffold.js";
+
+const { version } = JSON.parse(
+  fs.readFileSync(new URL("../package.json", import.meta.url), "utf-8")
+);
+
+// Errors from a run that can be resumed say how
+function resumeHint({ root, step }) {
+  return step
+    ? ` Fix the problem, then run \`npx express-app-init --resume ${root}\` to continue from this step, or delete ${root} to start over.`
+    : ` Continue it with \`npx express-app-init --resume ${root}\`.`;
+}
+
+async function init(options) {
+  if (!options.resume) {
+    console.log(chalk.green.bold("\nWelcome to express-app-init!\n"));
+  }
+
+  const { plan, answers } = await createProject(options, {
+    note: (message) => console.log(chalk.blue(`\n${message}\n`)),
+  });
+
+  if (options.dryRun) {
+    printPlan(plan);
+    return;
+  }
+
+  console.log(chalk.green("\nProject setup complete!\n"));
+  // With --skip-install the user runs the install once they are online
+  const steps = installSteps(answers);
+  if (steps.length > 0) {
+    console.log(
+      chalk.yellow(
+        `Dependencies are declared in package.json but not installed. To install them, run:\n  ${[`cd ${plan.root}`, ...steps].join("\n  ")}\n`
+      )
+    );
+  }
+}
+
+createProgram(version, { init, add: addFeature, generate })
+  .parseAsync(process.argv)
+  .catch((err) => {
+    const hint = err.resumable ? resumeHint(err) : "";
+    console.error(chalk.red(`\n${err.message}${hint}`));
+    process.exit(1);
+  });
@@ -0,0 +1,317 @@
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+import {
+  appendEnv,
+  appendEnvSchema,
+  formatEnv,
+  formatEnvExample,
+  formatEnvSchema,
+  parseEnvFile,
+} from "./env.js";
+import {
+  addDatabase,
+  addDbClient,
+  addDocker,
+  addExampleModel,
+  addInstall,
+  addOrm,
+  addPackages,
+  addPrisma,
+  addPrismaEnvDefault,
+  addSqlMigrations,
+  addSupabase,
+  createFeatureContext,
+  installCommand,
+} from "./features.js";
+import { databases, optionalPackages } from "./options.js";
+import { lockfilePackageManager } from "./package-manager.js";
+import { applyPlan, createPlan, printPlan } from "./plan.js";
+import { createPrompter } from "./prompt.js";
+import { mongoLocationQuestion, supabaseQuestions } from "./questions.js";
+
+const driverDatabases = {
+  pg: "postgres",
+  mysql2: "mysql",
+  mongoose: "mongodb",
+  "better-sqlite3": "sqlite",
+  sqlite3: "sqlite",
+};
+
+const ormPackages = {
+  "drizzle-orm": "drizzle",
+  typeorm: "typeorm",
+  sequelize: "sequelize",
+  knex: "knex",
+};
+
+// Work out the answers init() was given from what it left in the project
+export function detectProject(dir) {
+  const packageJsonPath = path.join(dir, "package.json");
+  if (!fs.existsSync(packageJsonPath)) {
+    throw new Error(
+      "No package.json found. Run `add` inside a project created by express-app-init."
+    );
+  }
+  const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf-8"));
+  const deps = {
+    ...packageJson.dependencies,
+    ...packageJson.devDependencies,
+  };
+
+  const read = (file) =>
+    fs.existsSync(path.join(dir, file))
+      ? fs.readFileSync(path.join(dir, file), "utf-8")
+      : null;
+  const env = read(".env");
+  const useTypescript =
+    /\.ts$/.test(packageJson.main ?? "") ||
+    fs.existsSync(path.join(dir, "tsconfig.json"));
+  const envModule = `config/env.${useTypescript ? "ts" : "js"}`;
+  const port = env?.match(/^PORT=(\d+)/m)?.[1] ?? 3000;
+  const setupPrisma = fs.existsSync(path.join(dir, "prisma/schema.prisma"));
+  const orm = setupPrisma
+    ? "prisma"
+    : Object.entries(ormPackages).find(([pkg]) => Boolean(deps[pkg]))?.[1];
+
+  return {
+    projectName: packageJson.name ?? path.basename(dir),
+    port,
+    useTypescript,
+    setupPrisma,
+    orm: orm ?? "none",
+    setupSupabase: Boolean(deps["@supabase/supabase-js"]),
+    selectedDb: Object.entries(driverDatabases).find(([driver]) =>
+      Boolean(deps[driver])
+    )?.[1],
+    moduleSystem: packageJson.type === "module" ? "esm" : "commonjs",
+    packageManager: packageJson.packageManager ?? lockfilePackageManager(dir),
+    scripts: packageJson.scripts ?? {},
+    deps,
+    env,
+    envExample: read(".env.example"),
+    // Projects created before config/env existed don't have one
+    envModule: read(envModule),
+    // New files log through lib/logger when init set it up
+    observability: fs.existsSync(
+      path.join(dir, `lib/logger.${useTypescript ? "ts" : "js"}`)
+    ),
+    // Generated routes are validated and documented when init set it up
+    openapi: fs.existsSync(
+      path.join(dir, `lib/openapi.${useTypescript ? "ts" : "js"}`)
+    ),
+  };
+}
+
+// Adds the variables the feature set to .env, .env.example and the schema
+// in config/env, keeping the values already there. A project without
+// config/env gets one that validates the new variables and lets the ones
+// already in .env through as optional strings.
+function mergeEnv(ctx, project) {
+  const { plan, ext, render } = ctx;
+  const entries = ctx.env.entries();
+  if (entries.length === 0) return;
+  const existing = parseEnvFile(project.env ?? "");
+  const added = entries.filter(({ key }) => !(key in existing));
+  const describe = (list) =>
+    `add ${list.map(({ key }) => key).join(", ") || "nothing (all set)"}`;
+  const all = [
+    ...Object.keys(existing)
+      .filter((key) => !ctx.env.has(key))
+      .map((key) => ({ key, value: "", kind: "optional" })),
+    ...entries,
+  ];
+
+  plan.stage("Updating .env...");
+  if (project.env === null) {
+    plan.write(".env", formatEnv(entries));
+  } else {
+    plan.edit(".env", describe(added), (content) =>
+      appendEnv(content, entries, formatEnv)
+    );
+  }
+  if (project.envExample === null) {
+    plan.write(".env.example", formatEnvExample(all));
+  } else {
+    plan.edit(".env.example", describe(added), (content) =>
+      appendEnv(content, entries, formatEnvExample)
+    );
+  }
+  const envModule = `config/env.${ext}`;
+  if (project.envModule === null) {
+    plan.write(
+      envModule,
+      render("config/env", { envSchema: formatEnvSchema(all) })
+    );
+  } else {
+    plan.edit(envModule, "add the new variables to the schema", (content) =>
+      appendEnvSchema(content, entries)
+    );
+  }
+}
+
+export async function addFeature(feature, names, options) {
+  const dir = process.cwd();
+  const project = detectProject(dir);
+  const ask = createPrompter(options);
+
+  const plan = createPlan(".");
+  const contextFor = (overrides = {}) =>
+    createFeatureContext(plan, {
+      ...project,
+      ...overrides,
+      packageManager: options.answers.packageManager ?? project.packageManager,
+      exactVersions: options.answers.exactVersions,
+      skipInstall: options.answers.skipInstall,
+      preferOffline: options.answers.preferOffline,
+      templateDir: options.templateDir,
+    });
+  let ctx;
+
+  switch (feature) {
+    case "prisma": {
+      if (project.setupPrisma) {
+        throw new Error("Prisma is already set up (prisma/schema.prisma).");
+      }
+      if (project.orm !== "none") {
+        throw new Error(`The project already uses ${project.orm}.`);
+      }
+      ctx = contextFor({ orm: "prisma" });
+      addPrisma(ctx);
+      // Point Prisma at the database the project already uses
+      if (project.selectedDb) {
+        addDatabase(ctx, { selectedDb: project.selectedDb });
+      } else if (!project.setupSupabase) {
+        addDbClient(ctx, "prisma");
+      }
+      addPrismaEnvDefault(ctx);
+      addOrm(ctx);
+      if (ctx.connectsDb) addExampleModel(ctx);
+      break;
+    }
+    case "docker":
+      ctx = contextFor();
+      // Gives docker-compose.yml a Redis service
+      ctx.cache = Boolean(project.deps.redis);
+      // The Dockerfile compiles TypeScript with the build script
+      if (
+        ctx.useTypescript &&
+        ctx.pm.name !== "bun" &&
+        !project.scripts.build
+      ) {
+        plan.edit("package.json", 'add a "build": "tsc" script', (content) => {
+          const packageJson = JSON.parse(content);
+          packageJson.scripts = { ...packageJson.scripts, build: "tsc" };
+          return JSON.stringify(packageJson, null, 2);
+        });
+      }
+      addDocker(ctx, parseEnvFile(project.env ?? ""));
+      break;
+    case "supabase": {
+      const credentials = await ask(supabaseQuestions(project.orm));
+      // Supabase is the Postgres database an ORM connects to
+      ctx = contextFor({
+        setupSupabase: true,
+        selectedDb: project.orm === "none" ? project.selectedDb : "postgres",
+      });
+      addSupabase(ctx, credentials);
+      break;
+    }
+    case "db": {
+      const [selectedDb] = names;
+      if (!databases.includes(selectedDb)) {
+        throw new Error(
+          `Usage: express-app-init add db <${databases.join("|")}>`
+        );
+      }
+      let isMongoLocal;
+      if (selectedDb === "mongodb" && project.orm === "none") {
+        ({ isMongoLocal } = await ask([mongoLocationQuestion]));
+      }
+      ctx = contextFor({ selectedDb });
+      addDatabase(ctx, { selectedDb, isMongoLocal });
+      // drizzle.config and knexfile name the database
+      if (!["prisma", "none"].includes(project.orm)) {
+        addOrm(ctx);
+      } else if (project.orm === "none" && !project.selectedDb) {
+        // What init sets up along with the database
+        if (selectedDb !== "mongodb") addSqlMigrations(ctx);
+        addExampleModel(ctx);
+      }
+      break;
+    }
+    case "package": {
+      if (names.length === 0) {
+        throw new Error("Usage: express-app-init add package <names...>");
+      }
+      ctx = contextFor();
+      addPackages(
+        ctx,
+        names.map(
+          (name) =>
+            optionalPackages.find((pkg) => pkg.name === name) ?? { name }
+        )
+      );
+      break;
+    }
+    default:
+      throw new Error(
+        `Unknown feature "${feature}". Choose from prisma, docker, supabase, db or package.`
+      );
+  }
+  // config/env, written by mergeEnv() below when the project has none, needs zod
+  if (project.envModule === null && ctx.env.entries().length > 0) {
+    ctx.dependencies.push("zod");
+  }
+  addInstall(ctx);
+  mergeEnv(ctx, project);
+
+  if (options.dryRun) {
+    printPlan(plan);
+    return;
+  }
+
+  await applyPlan(plan, { inPlace: true, force: options.force });
+  console.log(chalk.green(`\nAdded ${[feature, ...names].join(" ")}.\n`));
+  // Servers generated before connectDb() existed don't call it, and Mongoose
+  // never connects without it
+  const server = path.join(dir, `server.${ctx.ext}`);
+  if (
+    ctx.connectsDb &&
+    fs.existsSync(server) &&
+    !fs.readFileSync(server, "utf-8").includes("connectDb")
+  ) {
+    console.log(
+      chalk.yellow(
+        `Await connectDb() from config/db before app.listen() in server.${ctx.ext}, and call closeDb() on shutdown.\n`
+      )
+    );
+  }
+  // routes/health was written without a database to ping
+  const health = path.join(dir, `routes/health.${ctx.ext}`);
+  if (
+    ctx.connectsDb &&
+    fs.existsSync(health) &&
+    !fs.readFileSync(health, "utf-8").includes("pingDb")
+  ) {
+    console.log(
+      chalk.yellow(
+        `Await pingDb() from config/db in the /ready route of routes/health.${ctx.ext}.\n`
+      )
+    );
+  }
+  if (ctx.skipInstall) {
+    console.log(
+      chalk.yellow(
+        `New dependencies are declared in package.json but not installed. Run \`${installCommand(ctx)}\` to install them.\n`
+      )
+    );
+  }
+  if (ctx.unversioned?.length > 0) {
+    console.log(
+      chalk.yellow(
+        `${ctx.unversioned.join(", ")} ${ctx.unversioned.length === 1 ? "is" : "are"} declared as "latest" in package.json. Pin a version, or run \`${ctx.pm.add} ${ctx.unversioned.join(" ")}\` to declare the one you install.\n`
+      )
+    );
+  }
+}
@@ -0,0 +1,110 @@
+// The variables a project keeps in .env, as entries rather than lines.
+// Features set() what they need along with the kind of value the app
+// expects, and the same entries are written to .env, to .env.example with
+// placeholders and to the zod schema in config/env, so the three can't drift.
+
+// The zod schema of each kind. Values arrive as strings from process.env.
+const kinds = {
+  string: "z.string().min(1)",
+  optional: "z.string().optional()",
+  url: "z.url()",
+  port: "z.coerce.number().int().min(1).max(65535)",
+  number: "z.coerce.number().int().positive()",
+  boolean: "z.stringbool()",
+  logLevel:
+    'z.enum(["fatal", "error", "warn", "info", "debug", "trace", "silent"])',
+};
+
+// Set options: `kind` (a key of kinds, "string" by default), `fallback` for
+// the value the app uses when the variable is unset, `example` for the value
+// .env.example shows instead of the real one and `secret` to show a
+// placeholder there instead.
+export function createEnv() {
+  const entries = new Map();
+  return {
+    set(key, value, options = {}) {
+      if (options.kind && !kinds[options.kind]) {
+        throw new Error(`Unknown kind "${options.kind}" for ${key}`);
+      }
+      entries.set(key, {
+        key,
+        value: String(value),
+        kind: "string",
+        ...options,
+      });
+    },
+    has: (key) => entries.has(key),
+    get: (key) => entries.get(key)?.value,
+    entries: () => [...entries.values()],
+    // { KEY: value }, e.g. for docker-compose.yml
+    values: () =>
+      Object.fromEntries([...entries.values()].map((e) => [e.key, e.value])),
+  };
+}
+
+// Quotes values dotenv would otherwise cut short or misread
+function quote(value) {
+  if (!/[\s#"'$\\]/.test(value)) return value;
+  return value.includes('"') ? `'${value}'` : `"${value}"`;
+}
+
+const line = (key, value) => `${key}=${quote(value)}`;
+
+export function formatEnv(entries) {
+  return entries.map(({ key, value }) => `${line(key, value)}\n`).join("");
+}
+
+export function formatEnvExample(entries) {
+  return entries
+    .map(
+      ({ key, value, example, secret }) =>
+        `${line(key, example ?? (secret ? "change-me" : value))}\n`
+    )
+    .join("");
+}
+
+// The lines inside `z.object({ ... })` in config/env
+export function formatEnvSchema(entries) {
+  return entries
+    .map(({ key, kind, fallback }) => {
+      const schema =
+        fallback === undefined
+          ? kinds[kind]
+          : `${kinds[kind]}.default(${JSON.stringify(fallback)})`;
+      return `  ${key}: ${schema},`;
+    })
+    .join("\n");
+}
+
+// The contents of a .env file to { KEY: value }, without the quotes around
+// values. Blank lines and comments are skipped.
+export function parseEnvFile(content) {
+  const values = {};
+  for (const raw of content.split("\n")) {
+    const match = raw.match(/^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*?)\s*$/);
+    if (!match) continue;
+    values[match[1]] = match[2].replace(/^(["'])(.*)\1$/, "$2");
+  }
+  return values;
+}
+
+// Appends the entries content doesn't have yet, formatted by format
+export function appendEnv(content, entries, format) {
+  const existing = parseEnvFile(content);
+  const missing = entries.filter(({ key }) => !(key in existing));
+  if (missing.length === 0) return content;
+  const separator = content === "" || content.endsWith("\n") ? "" : "\n";
+  return `${content}${separator}${format(missing)}`;
+}
+
+// Adds the entries config/env doesn't validate yet to the end of its schema
+export function appendEnvSchema(content, entries) {
+  const missing = entries.filter(
+    ({ key }) => !new RegExp(`^\\s*${key}:`, "m").test(content)
+  );
+  if (missing.length === 0) return content;
+  return content.replace(
+    /(z\.object\(\{\n[\s\S]*?)\n\}\);/,
+    (_, body) => `${body}\n${formatEnvSchema(missing)}\n});`
+  );
+}
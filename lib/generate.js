@@ -0,0 +1,180 @@
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+import { detectProject } from "./add.js";
+import { addResourceStore } from "./features.js";
+import { resourceNames } from "./names.js";
+import { packageManagerCommands } from "./package-manager.js";
+import { applyPlan, createPlan, printPlan } from "./plan.js";
+import { createRenderer } from "./templates.js";
+
+// Inserts the import and route.use() for a resource router into routes/route.
+// Returns null when the file no longer looks like the generated one.
+function wireRoute(content, { ts, esm, importExt, name, fileName }) {
+  const modules = ts || esm;
+  const exportLine = modules
+    ? "export default route;"
+    : "module.exports = route;";
+  if (!content.split("\n").includes(exportLine)) return null;
+
+  const importLine = modules
+    ? `import ${name}Router from "./${fileName}${importExt}";`
+    : `const ${name}Router = require("./${fileName}");`;
+  const useLine = `route.use("/${fileName}", ${name}Router);`;
+  if (content.includes(useLine)) return content;
+
+  const lines = content.split("\n");
+  const lastImport = lines.findLastIndex((line) =>
+    /^import .* from .*;$|^const .* = require\(.*\);$/.test(line)
+  );
+  lines.splice(lastImport + 1, 0, importLine);
+
+  const lastUse = lines.findLastIndex((line) => line.startsWith("route.use("));
+  if (lastUse !== -1) {
+    lines.splice(lastUse + 1, 0, useLine);
+  } else {
+    lines.splice(lines.indexOf(exportLine), 0, useLine, "");
+  }
+  return lines.join("\n");
+}
+
+function detectLayer(dir, project) {
+  if (project.setupPrisma) {
+    const schema = fs.readFileSync(
+      path.join(dir, "prisma/schema.prisma"),
+      "utf-8"
+    );
+    const provider = schema.match(
+      /datasource\s+\w+\s*\{[^}]*provider\s*=\s*"(\w+)"/
+    )?.[1];
+    // mongodb and cockroachdb models need their own id defaults
+    return {
+      layer: "prisma",
+      db: ["mongodb", "cockroachdb"].includes(provider) ? provider : "sql",
+    };
+  }
+  if (project.orm !== "none") {
+    return { layer: project.orm, db: project.selectedDb };
+  }
+  if (project.selectedDb === "mongodb") return { layer: "mongoose" };
+  if (project.selectedDb) return { layer: "sql", db: project.selectedDb };
+  return { layer: "memory" };
+}
+
+export async function generate(type, input, options) {
+  if (type !== "resource") {
+    throw new Error(
+      `Unknown generator "${type}". Usage: express-app-init generate resource <name>`
+    );
+  }
+  const dir = process.cwd();
+  const project = detectProject(dir);
+  const names = resourceNames(input);
+  const { layer, db } = detectLayer(dir, project);
+  const ts = project.useTypescript;
+  const ext = ts ? "ts" : "js";
+  const esm = project.moduleSystem === "esm";
+  const importExt = esm ? ".js" : "";
+
+  const context = {
+    ...names,
+    ts,
+    ext,
+    esm,
+    importExt,
+    layer,
+    db,
+    numericId: layer !== "mongoose" && db !== "mongodb",
+    handlerArgs: ts ? "req: Request, res: Response" : "req, res",
+    storeDir: layer === "sql" ? "queries" : "models",
+    storeFileName: layer === "sql" ? names.fileName : names.modelFileName,
+    // Validate and document the routes like the rest of the API
+    openapi: project.openapi,
+  };
+  const { render } = createRenderer({ templateDir: options.templateDir });
+  const plan = createPlan(".");
+
+  plan.stage(`Generating resource ${names.name}...`);
+  // The controller answers errors with an HttpError, which projects generated
+  // before utils/http-error existed don't have
+  if (!fs.existsSync(path.join(dir, `utils/http-error.${ext}`))) {
+    plan.write(`utils/http-error.${ext}`, render("utils/http-error", context));
+  }
+  plan.write(
+    `controller/${names.fileName}.${ext}`,
+    render("resource/controller", context)
+  );
+  plan.write(
+    `routes/${names.fileName}.${ext}`,
+    render("resource/route", context)
+  );
+
+  let migration;
+  if (layer === "prisma") {
+    plan.edit("prisma/schema.prisma", `add model ${names.Model}`, (schema) =>
+      new RegExp(`^model ${names.Model} \\{`, "m").test(schema)
+        ? schema
+        : `${schema.trimEnd()}\n\n${render("resource/prisma-model", context)}`
+    );
+  } else {
+    migration = addResourceStore(
+      { plan, ext, createdAt: new Date() },
+      { layer, db, names, render: (name) => render(name, context) }
+    );
+  }
+
+  // Mount the router under /api/<name> in routes/route
+  const routeFile = `routes/route.${ext}`;
+  const routeContent = fs.existsSync(path.join(dir, routeFile))
+    ? fs.readFileSync(path.join(dir, routeFile), "utf-8")
+    : null;
+  const wired =
+    routeContent && wireRoute(routeContent, { ts, esm, importExt, ...names });
+  if (wired) {
+    plan.edit(routeFile, `mount /${names.fileName}`, (content) =>
+      wireRoute(content, { ts, esm, importExt, ...names })
+    );
+  }
+
+  if (options.dryRun) {
+    printPlan(plan);
+    return;
+  }
+
+  await applyPlan(plan, { inPlace: true, force: options.force });
+  console.log(
+    chalk.green(`\nGenerated ${names.name} at /api/${names.fileName}.\n`)
+  );
+  if (!wired) {
+    console.log(
+      chalk.yellow(
+        `Could not find the router export in ${routeFile}. Mount the router yourself:\n  route.use("/${names.fileName}", ${names.name}Router);\n`
+      )
+    );
+  }
+  const pm = packageManagerCommands(
+    options.answers.packageManager ?? project.packageManager
+  );
+  if (layer === "prisma") {
+    console.log(
+      chalk.blue(
+        `Run \`${pm.exec} prisma migrate dev --name add-${names.fileName}\` to create the table.\n`
+      )
+    );
+  } else if (layer === "drizzle" || layer === "typeorm") {
+    console.log(
+      chalk.blue(
+        `Run \`${pm.name} run db:generate\`, then \`${pm.name} run db:migrate\` to create the table.\n`
+      )
+    );
+  } else if (migration && project.scripts["db:migrate"]) {
+    console.log(
+      chalk.blue(`Run \`${pm.name} run db:migrate\` to create the table.\n`)
+    );
+  } else if (migration) {
+    // Projects created before db/migrate existed apply it themselves
+    console.log(
+      chalk.blue(`Apply ${migration} to the database to create the table.\n`)
+    );
+  }
+}
@@ -0,0 +1,39 @@
+// The names `generate resource` and the example model build identifiers,
+// tables and file names from.
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+const camelCase = (words) =>
+  words.map((word, index) => (index ? capitalize(word) : word)).join("");
+const pascalCase = (words) => words.map(capitalize).join("");
+
+function singularize(word) {
+  if (/ies$/.test(word)) return word.replace(/ies$/, "y");
+  if (/(s|x|z|ch|sh)es$/.test(word)) return word.replace(/es$/, "");
+  if (/[^s]s$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+// "users" -> listUsers/getUser, "blog-posts" -> listBlogPosts/getBlogPost
+export function resourceNames(input) {
+  if (!/^[a-zA-Z][\w-]*$/.test(input)) {
+    throw new Error(
+      `Invalid resource name "${input}". Use letters, digits, - and _, e.g. users or blog-posts.`
+    );
+  }
+  const words = input
+    .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+    .toLowerCase()
+    .split(/[-_]+/)
+    .filter(Boolean);
+  const singular = [...words.slice(0, -1), singularize(words.at(-1))];
+
+  return {
+    name: camelCase(words),
+    Names: pascalCase(words),
+    model: camelCase(singular),
+    Model: pascalCase(singular),
+    table: words.join("_"),
+    fileName: words.join("-"),
+    modelFileName: singular.join("-"),
+  };
+}
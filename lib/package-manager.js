@@ -0,0 +1,105 @@
+import fs from "fs";
+import path from "path";
+
+export const packageManagers = ["npm", "pnpm", "yarn", "bun"];
+
+// `exec` runs a binary installed in node_modules, `add`/`addDev` install a
+// package and declare the version they got (pinned with `exact`),
+// `preferOffline` installs from the cache when it can (bun always does),
+// `ci`/`ciProd` install exactly what the lockfile says in the Dockerfile,
+// `manifests` are the files it copies for that, `lockfiles` are checked in
+// order when detecting the manager of a project, and `version` is the one
+// package.json pins when the CLI wasn't launched by that manager.
+const managers = {
+  npm: {
+    install: "npm install",
+    add: "npm install",
+    addDev: "npm install -D",
+    exact: "--save-exact",
+    ci: "npm ci",
+    ciProd: "npm ci --omit=dev",
+    manifests: "package*.json",
+    preferOffline: "--prefer-offline",
+    exec: "npx",
+    lockfiles: ["package-lock.json"],
+  },
+  pnpm: {
+    install: "pnpm install",
+    add: "pnpm add",
+    addDev: "pnpm add -D",
+    exact: "--save-exact",
+    ci: "pnpm install --frozen-lockfile",
+    ciProd: "pnpm install --frozen-lockfile --prod",
+    manifests: "package.json pnpm-lock.yaml",
+    preferOffline: "--prefer-offline",
+    exec: "pnpm exec",
+    lockfiles: ["pnpm-lock.yaml"],
+    version: "10.34.6",
+  },
+  yarn: {
+    install: "yarn install",
+    add: "yarn add",
+    addDev: "yarn add -D",
+    exact: "--exact",
+    ci: "yarn install --frozen-lockfile",
+    ciProd: "yarn install --frozen-lockfile --production",
+    manifests: "package.json yarn.lock .yarnrc.yml",
+    preferOffline: "--prefer-offline",
+    exec: "yarn",
+    lockfiles: ["yarn.lock"],
+    version: "1.22.22",
+  },
+  bun: {
+    install: "bun install",
+    add: "bun add",
+    addDev: "bun add -d",
+    exact: "--exact",
+    ci: "bun install --frozen-lockfile",
+    ciProd: "bun install --frozen-lockfile --production",
+    manifests: "package.json bun.lock*",
+    exec: "bunx",
+    lockfiles: ["bun.lock", "bun.lockb"],
+  },
+};
+
+// npm_config_user_agent is set by the manager that launched the CLI, e.g.
+// "pnpm/9.12.0 npm/? node/v20.17.0 linux x64" for `pnpm dlx express-app-init`.
+// Returns a corepack-style spec ("pnpm@9.12.0"), or "npm" when unknown.
+export function detectPackageManager(
+  userAgent = process.env.npm_config_user_agent ?? ""
+) {
+  const [name, version] = userAgent.split(" ")[0].split("/");
+  if (!packageManagers.includes(name)) return "npm";
+  return version ? `${name}@${version}` : name;
+}
+
+export function lockfilePackageManager(dir) {
+  return (
+    packageManagers.find((name) =>
+      managers[name].lockfiles.some((file) =>
+        fs.existsSync(path.join(dir, file))
+      )
+    ) ?? "npm"
+  );
+}
+
+export function packageManagerCommands(spec = "npm") {
+  const [name, version] = spec.split("@");
+  if (!managers[name]) {
+    throw new Error(
+      `Unknown package manager "${name}". Choose from ${packageManagers.join(", ")}.`
+    );
+  }
+  const commands = {
+    name,
+    ...managers[name],
+    version: version ?? managers[name].version,
+    lockfile: managers[name].lockfiles[0],
+  };
+  // Yarn 2+ renamed --frozen-lockfile and dropped --production
+  if (name === "yarn" && Number(version?.split(".")[0]) >= 2) {
+    commands.ci = "yarn install --immutable";
+    commands.ciProd = "yarn workspaces focus --all --production";
+  }
+  return commands;
+}
@@ -0,0 +1,364 @@
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+import { spawn } from "child_process";
+
+// A plan is the ordered list of everything init() does to a project: folders
+// and files it writes, commands it runs and edits to files those commands
+// create. Building it has no side effects, so it can be printed or applied.
+export function createPlan(root) {
+  const steps = [];
+  let stage;
+
+  return {
+    root,
+    steps,
+    stage(title) {
+      stage = title;
+    },
+    mkdir(dir) {
+      steps.push({ type: "mkdir", path: dir, stage });
+    },
+    write(file, content) {
+      steps.push({ type: "write", path: file, content, stage });
+    },
+    run(command, { creates = [], optional = false } = {}) {
+      steps.push({ type: "run", command, creates, optional, stage });
+    },
+    edit(file, description, transform) {
+      steps.push({ type: "edit", path: file, description, transform, stage });
+    },
+  };
+}
+
+// init() keeps its answers and the steps it has finished in this file inside
+// the project until the last step succeeds, so a failed run can be resumed.
+export const manifestFile = ".express-app-init.json";
+
+export function readManifest(dir) {
+  const file = path.join(path.resolve(dir), manifestFile);
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      `Nothing to resume: ${dir} has no ${manifestFile} from a failed run.`
+    );
+  }
+  return JSON.parse(fs.readFileSync(file, "utf-8"));
+}
+
+function describeStep(step) {
+  switch (step.type) {
+    case "mkdir":
+      return `create ${step.path}/`;
+    case "write":
+      return `write ${step.path}`;
+    case "edit":
+      return `edit ${step.path}: ${step.description}`;
+    case "run":
+      return step.command;
+  }
+}
+
+// Runs command in root through the shell, sharing the terminal with it. With
+// onOutput its output is captured instead and passed on as it arrives.
+// Rejects with the exit code as status, and what the command wrote to stderr
+// when it was captured.
+function runCommand(command, root, { onOutput, signal }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      cwd: root,
+      shell: true,
+      stdio: onOutput ? ["ignore", "pipe", "pipe"] : "inherit",
+      signal,
+    });
+    let stderr = "";
+    child.stdout?.on("data", (data) => {
+      onOutput({ stream: "stdout", output: data.toString() });
+    });
+    child.stderr?.on("data", (data) => {
+      stderr += data;
+      onOutput({ stream: "stderr", output: data.toString() });
+    });
+    child.on("error", reject);
+    child.on("close", (status, signalName) => {
+      if (status === 0) return resolve();
+      const error = new Error(
+        `Command failed: ${command}${signalName ? ` (${signalName})` : ""}`
+      );
+      reject(Object.assign(error, { status, stderr }));
+    });
+  });
+}
+
+async function applyStep(
+  step,
+  root,
+  { inPlace, force, captureOutput, signal, report }
+) {
+  const target = step.path && path.join(root, step.path);
+  switch (step.type) {
+    case "mkdir":
+      fs.mkdirSync(target, { recursive: true });
+      break;
+    case "write":
+      if (inPlace && !force && fs.existsSync(target)) {
+        if (fs.readFileSync(target, "utf-8") !== step.content) {
+          report({ type: "kept", path: step.path });
+        }
+        break;
+      }
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, step.content);
+      break;
+    case "edit":
+      fs.writeFileSync(
+        target,
+        step.transform(fs.readFileSync(target, "utf-8"))
+      );
+      break;
+    case "run":
+      try {
+        await runCommand(step.command, root, {
+          signal,
+          onOutput:
+            captureOutput &&
+            ((output) =>
+              report({ type: "output", command: step.command, ...output })),
+        });
+      } catch (err) {
+        if (!step.optional || signal?.aborted) throw err;
+        report({ type: "failed", command: step.command, error: err });
+        return false;
+      }
+      break;
+  }
+  return true;
+}
+
+// What the CLI prints while a plan is applied. Each step is also reported
+// ({ type: "mkdir" | "write" | "edit" | "run", index, total, ... }) before it
+// runs, but only stages and problems are worth printing.
+export function printProgress(event) {
+  switch (event.type) {
+    case "resume":
+      console.log(
+        chalk.blue(
+          `Resuming ${event.root} at step ${event.index + 1} of ${event.total}.`
+        )
+      );
+      break;
+    case "stage":
+      console.log(chalk.blue(`\n${event.title}`));
+      break;
+    case "kept":
+      console.log(
+        chalk.yellow(
+          `Kept your ${event.path}; it differs from the generated one (use --force to overwrite).`
+        )
+      );
+      break;
+    case "failed":
+      console.error(
+        chalk.red(`\nError running ${event.command}:`),
+        event.error.message
+      );
+      break;
+  }
+}
+
+// With inPlace the plan is applied to an existing project: files that already
+// exist are left alone unless they match or force is set.
+//
+// A manifest ({ answers, templateDir, completed }) is saved to manifestFile
+// after every step. With resume the steps it lists as completed are checked
+// against the plan and skipped. If a step fails the project directory is kept
+// for --resume, or removed when rollback is set. Errors about a directory that
+// can be resumed have its path as root, and resumable set; a failed step also
+// has step ({ index, total, label, stage }).
+//
+// Progress goes to onProgress (printed by default). With captureOutput the
+// output of commands is reported too instead of going to the terminal. signal
+// (an AbortSignal) stops the run like a failed step. Resolves to the optional
+// commands that failed.
+export async function applyPlan(
+  plan,
+  {
+    inPlace = false,
+    force = false,
+    manifest,
+    resume = false,
+    rollback = false,
+    onProgress = printProgress,
+    captureOutput = false,
+    signal,
+  } = {}
+) {
+  const root = path.resolve(plan.root);
+  const manifestPath = path.join(root, manifestFile);
+  const labels = plan.steps.map(describeStep);
+
+  if (resume) {
+    const mismatch = manifest.completed.findIndex(
+      (label, index) => label !== labels[index]
+    );
+    if (mismatch !== -1) {
+      throw new Error(
+        `Cannot resume ${plan.root}: step ${mismatch + 1} was "${manifest.completed[mismatch]}" but is now "${labels[mismatch]}". Delete ${plan.root} and start over.`
+      );
+    }
+    onProgress({
+      type: "resume",
+      root: plan.root,
+      index: manifest.completed.length,
+      total: labels.length,
+    });
+  } else if (!inPlace) {
+    if (fs.existsSync(root)) {
+      if (!fs.existsSync(manifestPath)) {
+        throw new Error(`Directory ${plan.root} already exists.`);
+      }
+      throw Object.assign(
+        new Error(
+          `Directory ${plan.root} already exists. A previous run stopped there.`
+        ),
+        { root: plan.root, resumable: true }
+      );
+    }
+    fs.mkdirSync(root, { recursive: true });
+  }
+  const saveManifest = () => {
+    if (!manifest) return;
+    fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+  };
+  saveManifest();
+
+  let stage;
+  const failed = [];
+  const first = resume ? manifest.completed.length : 0;
+  for (const [index, step] of plan.steps.entries()) {
+    if (index < first) continue;
+    if (step.stage && step.stage !== stage) {
+      stage = step.stage;
+      onProgress({ type: "stage", title: stage });
+    }
+    const { type, path: file, command, description } = step;
+    onProgress({
+      type,
+      ...(command ? { command } : { path: file }),
+      ...(description && { description }),
+      index,
+      total: labels.length,
+    });
+
+    try {
+      signal?.throwIfAborted();
+      const ok = await applyStep(step, root, {
+        inPlace,
+        force,
+        captureOutput,
+        signal,
+        report: onProgress,
+      });
+      if (!ok) failed.push(step.command);
+    } catch (err) {
+      let reason =
+        step.type === "run" && err.status != null
+          ? `exited with code ${err.status}`
+          : err.message;
+      // Captured output is the only place the error shows up
+      if (step.type === "run" && err.stderr?.trim()) {
+        reason += `\n  ${err.stderr.trim().split("\n").join("\n  ")}`;
+      }
+      let message = `Step ${index + 1} of ${labels.length} failed${step.stage ? ` (${step.stage})` : ""}:\n  ${labels[index]}\n  ${reason}`;
+
+      if (manifest && rollback) {
+        fs.rmSync(root, { recursive: true, force: true });
+        message += `\n\nRolled back: removed ${plan.root}.`;
+      } else if (manifest) {
+        message += `\n\nThe ${index} completed steps are recorded in ${path.join(plan.root, manifestFile)}.`;
+      }
+      throw Object.assign(new Error(message, { cause: err }), {
+        root: plan.root,
+        resumable: Boolean(manifest && !rollback),
+        step: {
+          index,
+          total: labels.length,
+          label: labels[index],
+          stage: step.stage,
+        },
+      });
+    }
+
+    if (manifest) {
+      manifest.completed.push(labels[index]);
+      saveManifest();
+    }
+  }
+
+  if (manifest) fs.rmSync(manifestPath, { force: true });
+  return failed;
+}
+
+function buildTree(plan) {
+  const tree = {};
+  const add = (file, isDir) => {
+    let node = tree;
+    const parts = file.split("/");
+    parts.forEach((part, index) => {
+      const last = index === parts.length - 1;
+      if (last && !isDir) {
+        node[part] ??= null;
+      } else {
+        node = node[part] ??= {};
+      }
+    });
+  };
+
+  for (const step of plan.steps) {
+    if (step.type === "mkdir") add(step.path, true);
+    if (step.type === "write" || step.type === "edit") add(step.path, false);
+    if (step.type === "run") step.creates.forEach((file) => add(file, false));
+  }
+  return tree;
+}
+
+function printTree(node, prefix = "") {
+  const entries = Object.entries(node).sort(([a, aNode], [b, bNode]) => {
+    if ((aNode === null) !== (bNode === null)) return aNode === null ? 1 : -1;
+    return a.localeCompare(b);
+  });
+  entries.forEach(([name, child], index) => {
+    const last = index === entries.length - 1;
+    console.log(`${prefix}${last ? "└── " : "├── "}${name}${child ? "/" : ""}`);
+    if (child) printTree(child, `${prefix}${last ? "    " : "│   "}`);
+  });
+}
+
+export function printPlan(plan) {
+  console.log(chalk.green.bold("\nDry run: nothing will be written.\n"));
+
+  console.log(chalk.blue.bold("Directory tree:"));
+  console.log(`${plan.root}/`);
+  printTree(buildTree(plan));
+
+  console.log(chalk.blue.bold("\nFiles:"));
+  for (const step of plan.steps) {
+    if (step.type !== "write") continue;
+    console.log(chalk.yellow(`\n--- ${step.path} ---`));
+    console.log(step.content.replace(/\n$/, ""));
+  }
+
+  console.log(chalk.blue.bold("\nCommands (in order):"));
+  let count = 0;
+  for (const step of plan.steps) {
+    if (step.type === "run") {
+      count += 1;
+      const note = step.optional ? chalk.gray(" (allowed to fail)") : "";
+      console.log(`  ${count}. ${step.command}${note}`);
+    } else if (step.type === "edit") {
+      console.log(
+        chalk.gray(`     then edit ${step.path}: ${step.description}`)
+      );
+    }
+  }
+  console.log();
+}
@@ -0,0 +1,284 @@
+import {
+  addDatabase,
+  addAuth,
+  addCache,
+  addDbClient,
+  addDocker,
+  addEnvFiles,
+  addInstall,
+  addMailer,
+  addMiddleware,
+  addExampleModel,
+  addObservability,
+  addOpenApi,
+  addOrm,
+  addPackages,
+  addPrisma,
+  addPrismaEnvDefault,
+  addQuality,
+  addSqlMigrations,
+  addSupabase,
+  addTestEnv,
+  addTests,
+  createFeatureContext,
+} from "./features.js";
+import { createPlan, manifestFile } from "./plan.js";
+
+// Answers saved by runs from before --orm only say whether Prisma was set up
+export const projectOrm = ({ orm, setupPrisma }) =>
+  orm ?? (setupPrisma ? "prisma" : "none");
+
+// root defaults to projectName; --resume passes the directory it was given,
+// and createdAt the time of the run it resumes
+export function buildProjectPlan(
+  answers,
+  { templateDir, root, createdAt } = {}
+) {
+  const {
+    projectName,
+    port,
+    initializeGit,
+    useTypescript,
+    setupSupabase,
+    createDockerfile,
+    installNodemon,
+    setupDb,
+    selectedDb,
+    isMongoLocal,
+    selectedPackages,
+    securityMiddleware,
+    observability,
+    openapi,
+    codeQuality,
+    testRunner,
+    moduleSystem,
+    packageManager,
+    exactVersions,
+    skipInstall,
+    preferOffline,
+  } = answers;
+
+  const orm = projectOrm(answers);
+  const setupPrisma = orm === "prisma";
+  // The ORMs other than Prisma always need a SQL database: Supabase's
+  // Postgres, or SQLite when none was picked
+  const sqlOrm = !setupPrisma && orm !== "none";
+  let database = setupDb ? selectedDb : undefined;
+  if (sqlOrm) database = setupSupabase ? "postgres" : (database ?? "sqlite");
+
+  const plan = createPlan(root ?? projectName);
+  const ctx = createFeatureContext(plan, {
+    projectName,
+    port,
+    useTypescript,
+    orm,
+    setupSupabase,
+    selectedDb: database,
+    moduleSystem,
+    packageManager,
+    exactVersions,
+    skipInstall,
+    preferOffline,
+    templateDir,
+    createdAt,
+    observability,
+    openapi,
+  });
+  const { ext, esm, env, pm, render, dependencies, devDependencies } = ctx;
+
+  // Create project directory
+  plan.stage(`Creating project directory: ${projectName}`);
+
+  // Create default folders
+  const folders = [
+    "config",
+    "controller",
+    "lib",
+    "utils",
+    "queries",
+    "routes",
+    "middlewares",
+    "models",
+  ];
+  folders.forEach((folder) => plan.mkdir(folder));
+
+  // Create default files
+  plan.stage("Creating default files...");
+  plan.write(".gitignore", render("gitignore"));
+  plan.write("server.md", render("server.md"));
+
+  // Initialize npm project. pnpm, yarn and bun get a plain package.json
+  // because their init commands also write READMEs, entry files or a git repo,
+  // and so does --skip-install, which runs no package manager at all.
+  plan.stage("Initializing npm project...");
+  if (pm.name === "npm" && !skipInstall) {
+    plan.run("npm init -y", { creates: ["package.json"] });
+  } else {
+    plan.write(
+      "package.json",
+      `${JSON.stringify({ name: projectName, version: "1.0.0" }, null, 2)}\n`
+    );
+  }
+  // Yarn 2+ defaults to Plug'n'Play, which tsx and nodemon can't resolve
+  if (pm.name === "yarn") {
+    plan.write(".yarnrc.yml", "nodeLinker: node-modules\n");
+  }
+
+  // Base packages, installed with the ones the features need by addInstall().
+  // zod validates .env in config/env.
+  dependencies.push("express", "dotenv", "zod");
+
+  // TypeScript compiles to dist/ and tsc-alias rewrites the path aliases in
+  // the output. In development tsx runs the sources and resolves the aliases
+  // itself (ts-node can't load TypeScript 7). Bun does both natively.
+  const bun = pm.name === "bun";
+  const compile = useTypescript && !bun;
+  const source = `server.${ext}`;
+  if (useTypescript) {
+    devDependencies.push(
+      codeQuality ? "typescript@6" : "typescript",
+      "@types/node",
+      "@types/express"
+    );
+    plan.write("tsconfig.json", render("tsconfig.json"));
+  }
+  if (compile) devDependencies.push("tsx", "tsc-alias");
+
+  if (installNodemon) devDependencies.push("nodemon");
+
+  //Modify package.json scripts
+  plan.stage("Modifying package.json");
+  const main = compile ? "dist/server.js" : source;
+  const scripts = {
+    start: `${bun ? "bun" : "node"} ${main}`,
+  };
+  if (compile) scripts.build = "tsc && tsc-alias";
+  const runner = bun ? "bun" : compile ? "tsx" : "node";
+  scripts.dev = installNodemon
+    ? `nodemon${runner === "node" ? "" : ` --exec ${runner}`} ${source}`
+    : `${runner} ${runner === "tsx" ? "watch" : "--watch"} ${source}`;
+  // Lets corepack (and the Dockerfile) pin the manager that created the
+  // project. pnpm and yarn always have a version, bun only when it ran the CLI.
+  const packageManagerField =
+    pm.name !== "npm" && pm.version ? `${pm.name}@${pm.version}` : undefined;
+  plan.edit(
+    "package.json",
+    `set ${esm ? 'type to "module", ' : ""}main to ${main}${packageManagerField ? `, packageManager to ${packageManagerField}` : ""} and scripts to ${JSON.stringify(scripts)}`,
+    (content) => {
+      const packageJson = JSON.parse(content);
+      if (esm) packageJson.type = "module";
+      packageJson.main = main;
+      packageJson.scripts = scripts;
+      if (packageManagerField) packageJson.packageManager = packageManagerField;
+      return JSON.stringify(packageJson, null, 2);
+    }
+  );
+
+  // Setup Prisma if required
+  if (setupPrisma) addPrisma(ctx);
+
+  // Setup Supabase or a local database if required
+  if (setupSupabase) {
+    addSupabase(ctx, answers);
+  } else if (database) {
+    addDatabase(ctx, { selectedDb: database, isMongoLocal });
+  } else if (setupPrisma) {
+    addDbClient(ctx, "prisma");
+  } else {
+    plan.stage("Skipping DB configuration setup.");
+  }
+  if (orm !== "none") {
+    addOrm(ctx);
+  } else if (["sqlite", "postgres", "mysql"].includes(database)) {
+    addSqlMigrations(ctx);
+  }
+  env.set("PORT", port, { kind: "port", fallback: Number(port) });
+  env.set("SHUTDOWN_TIMEOUT_MS", 10000, { kind: "number", fallback: 10000 });
+
+  const middleware = addMiddleware(ctx, {
+    security: securityMiddleware,
+    packages: selectedPackages,
+  });
+
+  // Auth is generated when both of its packages are picked
+  const picked = (name) => selectedPackages.some((pkg) => pkg.name === name);
+  const auth = picked("jsonwebtoken") && picked("bcrypt");
+  if (auth) addAuth(ctx, { cookies: middleware.cookies });
+  const mail = picked("nodemailer");
+  if (mail) addMailer(ctx);
+  if (picked("redis")) addCache(ctx);
+  if (observability) addObservability(ctx);
+  if (openapi) addOpenApi(ctx);
+  // After auth, whose users table the first TypeORM migration creates
+  if (ctx.connectsDb) addExampleModel(ctx);
+
+  // Create routes and server files
+  plan.stage("Creating server files...");
+  plan.write(`routes/route.${ext}`, render("routes/route", { auth, mail }));
+  plan.write(`app.${ext}`, render("app", middleware));
+  plan.write(
+    `server.${ext}`,
+    render("server", {
+      connectDb: Boolean(ctx.connectsDb),
+      cache: Boolean(ctx.cache),
+    })
+  );
+
+  if (testRunner && testRunner !== "none") addTests(ctx, testRunner);
+  if (codeQuality) {
+    addQuality(ctx, { git: initializeGit, runner: testRunner });
+  }
+
+  // Extra templates from --template-dir
+  for (const file of ctx.extras()) {
+    plan.write(file.path, file.content);
+  }
+
+  // Optional packages
+  addPackages(ctx, selectedPackages);
+
+  // One install for everything above
+  addInstall(ctx);
+
+  plan.stage("Writing .env...");
+  addPrismaEnvDefault(ctx);
+  addEnvFiles(ctx);
+  if (testRunner && testRunner !== "none") addTestEnv(ctx);
+
+  // drizzle-kit writes the first migration from db/schema, reading .env
+  // through drizzle.config
+  if (orm === "drizzle" && !skipInstall) {
+    plan.stage("Generating the first migration...");
+    plan.run(`${pm.exec} drizzle-kit generate --name init`, {
+      creates: ["db/migrations/meta/_journal.json"],
+    });
+  }
+
+  // Create Dockerfile if required, once .env is known for docker-compose.yml
+  if (createDockerfile) addDocker(ctx, env.values());
+
+  // Everything is written by now, so the first commit is already formatted
+  if (codeQuality && !skipInstall) {
+    plan.stage("Formatting...");
+    plan.run(`${pm.exec} prettier --write .`, { optional: true });
+  }
+
+  // The project starts with one commit. Git may not be installed or have no
+  // user configured, which only skips these steps.
+  if (initializeGit) {
+    plan.stage("Initializing Git...");
+    plan.run("git init", { optional: true });
+    // The dependencies were installed before the repository existed, so
+    // husky's prepare script had nowhere to put the hooks yet
+    if (codeQuality && !skipInstall) {
+      plan.run(`${pm.exec} husky`, { optional: true });
+    }
+    // The manifest of this run is deleted once it completes
+    plan.run(`git add -A -- . ":(exclude)${manifestFile}"`, {
+      optional: true,
+    });
+    plan.run('git commit -m "Initial commit"', { optional: true });
+  }
+
+  return plan;
+}
@@ -0,0 +1,75 @@
+import inquirer from "inquirer";
+import { answerFlags } from "./options.js";
+
+function hasTTY() {
+  return Boolean(process.stdin.isTTY && process.stdout.isTTY);
+}
+
+function missingAnswerError(question, reason) {
+  const flag = answerFlags[question.name];
+  const hint = flag ? `Pass ${flag} or set it in a --preset file` : "";
+  return new Error(
+    `No answer for "${question.message}": ${reason}.${hint ? ` ${hint}.` : ""}`
+  );
+}
+
+// Check an answer that came from a flag or preset the same way inquirer would
+// have checked it, and coerce it to the type the prompt would have returned.
+function checkProvided(question, value) {
+  let answer = value;
+  if (question.type === "confirm" && typeof answer !== "boolean") {
+    if (answer === "true" || answer === "false") {
+      answer = answer === "true";
+    } else {
+      throw new Error(
+        `Expected true or false for "${question.message}", got "${value}".`
+      );
+    }
+  }
+  if (question.type === "list" && !question.choices.includes(answer)) {
+    throw new Error(
+      `Invalid answer "${value}" for "${question.message}". Choose from ${question.choices.join(", ")}.`
+    );
+  }
+  if (question.validate) {
+    const result = question.validate(answer);
+    if (result !== true) {
+      throw new Error(
+        `Invalid answer "${value}" for "${question.message}": ${result}`
+      );
+    }
+  }
+  return answer;
+}
+
+// Returns an ask() function with the same shape as inquirer.prompt that takes
+// answers from flags/presets first, falls back to defaults with --yes and only
+// prompts when there is a TTY to prompt on.
+export function createPrompter({ answers = {}, yes = false } = {}) {
+  return async function ask(questions) {
+    const result = {};
+    const remaining = [];
+
+    for (const question of questions) {
+      if (answers[question.name] !== undefined) {
+        result[question.name] = checkProvided(question, answers[question.name]);
+      } else if (yes) {
+        if (question.default === undefined) {
+          throw missingAnswerError(question, "it has no default");
+        }
+        result[question.name] = question.default;
+      } else {
+        remaining.push(question);
+      }
+    }
+
+    if (remaining.length === 0) return result;
+    if (!hasTTY()) {
+      throw missingAnswerError(
+        remaining[0],
+        "no TTY available to prompt (use --yes to accept defaults)"
+      );
+    }
+    return { ...result, ...(await inquirer.prompt(remaining)) };
+  };
+}
@@ -0,0 +1,232 @@
+import {
+  localSupabase,
+  moduleSystems,
+  optionalPackages,
+  ormDatabases,
+  orms,
+  testRunners,
+} from "./options.js";
+
+// Everything init asks before it builds a project
+export const projectQuestions = [
+  {
+    name: "projectName",
+    message: "Project Name",
+    default: "server",
+  },
+  {
+    name: "port",
+    message: "Port Number",
+    default: 3000,
+    validate: (input) => {
+      const port = Number(input);
+      return port > 0 && port <= 65535
+        ? true
+        : "Please enter a valid port number (1-65535)";
+    },
+  },
+  {
+    type: "confirm",
+    name: "initializeGit",
+    message: "Would you like to initialize Git for this project?",
+    default: true,
+  },
+  {
+    type: "confirm",
+    name: "useTypescript",
+    message: "Would you like to use TypeScript?",
+    default: true,
+  },
+  {
+    type: "list",
+    name: "moduleSystem",
+    message: "Which module system would you like to use?",
+    choices: moduleSystems,
+    default: "commonjs",
+  },
+  {
+    type: "list",
+    name: "orm",
+    message: "Which ORM / query layer would you like to use?",
+    choices: orms,
+    default: "none",
+  },
+  {
+    type: "confirm",
+    name: "setupSupabase",
+    message: "Would you like to setup Supabase?",
+    default: false,
+  },
+  {
+    type: "confirm",
+    name: "createDockerfile",
+    message: "Would you like to have a DockerFile?",
+    default: true,
+  },
+  {
+    type: "confirm",
+    name: "installNodemon",
+    message: "Would you like to install nodemon?",
+    default: true,
+  },
+  {
+    type: "confirm",
+    name: "securityMiddleware",
+    message:
+      "Would you like security middleware (helmet, cors, rate limiting, cookie-parser)?",
+    default: true,
+  },
+  {
+    type: "confirm",
+    name: "observability",
+    message:
+      "Would you like logging with request IDs and /health and /ready endpoints (pino)?",
+    default: false,
+  },
+  {
+    type: "confirm",
+    name: "openapi",
+    message:
+      "Would you like request validation and OpenAPI docs at /api/docs (zod, swagger-ui)?",
+    default: false,
+  },
+  {
+    type: "confirm",
+    name: "codeQuality",
+    message:
+      "Would you like ESLint, Prettier and pre-commit hooks (Husky, lint-staged)?",
+    default: false,
+  },
+  {
+    type: "list",
+    name: "testRunner",
+    message: "Which test runner would you like to set up?",
+    choices: testRunners,
+    default: "none",
+  },
+];
+
+// Ask the project questions and their follow-ups with ask(), a prompter from
+// createPrompter. packages are the optional packages picked up front; without
+// them each one is asked for, after note() introduces the list.
+export async function askProjectAnswers(ask, { packages, note = () => {} }) {
+  const answers = await ask(projectQuestions);
+  const { orm, setupSupabase } = answers;
+
+  // Ask every follow-up question before touching the disk, so a missing
+  // answer fails the run before a half-built project is left behind
+  let supabaseAnswers = {};
+  if (setupSupabase) {
+    supabaseAnswers = await ask(supabaseQuestions(orm));
+  }
+
+  //ask whether u want to setup db locally
+  let setupDb = false;
+  let selectedDb;
+  let isMongoLocal;
+  if (!setupSupabase) {
+    ({ setupDb } = await ask([
+      {
+        type: "confirm",
+        name: "setupDb",
+        message: "Would you like to setup local DB?",
+        default: false,
+      },
+    ]));
+  }
+  if (setupDb) {
+    ({ selectedDb } = await ask([
+      {
+        type: "list",
+        name: "selectedDb",
+        message: "Which database are you going to use?",
+        // SQLite needs no server, so it runs with nothing else installed
+        choices: ormDatabases(orm),
+        default: "sqlite",
+      },
+    ]));
+  }
+  if (selectedDb === "mongodb" && orm === "none") {
+    // MongoDB connection prompt
+    ({ isMongoLocal } = await ask([mongoLocationQuestion]));
+  }
+
+  const selectedPackages = packages ?? [];
+  if (!packages) {
+    note("Would you like to install optional packages?");
+
+    for (const pkg of optionalPackages) {
+      const { install } = await ask([
+        {
+          type: "confirm",
+          name: "install",
+          message: `Install ${pkg.name}?`,
+          default: false,
+        },
+      ]);
+
+      if (install) {
+        selectedPackages.push(pkg);
+      }
+    }
+  }
+
+  return {
+    ...answers,
+    ...supabaseAnswers,
+    setupDb,
+    selectedDb,
+    isMongoLocal,
+    selectedPackages,
+  };
+}
+
+// Follow-up questions shared by `init` and `add`
+
+// An ORM connects to Supabase's Postgres database directly, and the Supabase
+// client is there for auth and storage. Every answer defaults to the local
+// stack.
+export function supabaseQuestions(orm) {
+  const { db } = localSupabase;
+  const database = [
+    {
+      name: "dbUser",
+      message: "Enter your database username:",
+      default: db.user,
+    },
+    {
+      name: "dbPassword",
+      message: "Enter your database password:",
+      default: db.password,
+    },
+    { name: "dbHost", message: "Enter your database host:", default: db.host },
+    { name: "dbPort", message: "Enter your database port:", default: db.port },
+    { name: "dbName", message: "Enter your database name:", default: db.name },
+  ];
+  return [
+    ...(orm !== "none" ? database : []),
+    {
+      name: "supabaseUrl",
+      message: "Enter your Supabase URL:",
+      default: localSupabase.url,
+    },
+    {
+      name: "supabaseKey",
+      message: "Enter your Supabase anon key:",
+      default: localSupabase.anonKey,
+    },
+    {
+      name: "supabaseServiceRoleKey",
+      message: "Enter your Supabase service role key:",
+      default: localSupabase.serviceRoleKey,
+    },
+  ];
+}
+
+export const mongoLocationQuestion = {
+  type: "list",
+  name: "isMongoLocal",
+  message: "Is MongoDB local or Atlas?",
+  choices: ["local", "atlas"],
+  default: "local",
+};
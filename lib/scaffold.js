@@ -0,0 +1,147 @@
+import path from "path";
+import { installCommand } from "./features.js";
+import { resolveOptions } from "./options.js";
+import {
+  detectPackageManager,
+  packageManagerCommands,
+} from "./package-manager.js";
+import { applyPlan, printProgress, readManifest } from "./plan.js";
+import { buildProjectPlan, projectOrm } from "./project.js";
+import { createPrompter } from "./prompt.js";
+import { askProjectAnswers } from "./questions.js";
+
+// The commands left to run in a project set up with --skip-install
+export function installSteps(answers) {
+  if (!answers.skipInstall) return [];
+  const pm = packageManagerCommands(answers.packageManager);
+  const steps = [installCommand({ pm, preferOffline: answers.preferOffline })];
+  if (projectOrm(answers) === "prisma")
+    steps.push(`${pm.exec} prisma generate`);
+  // The first Drizzle migration is generated after the install
+  if (projectOrm(answers) === "drizzle")
+    steps.push(`${pm.name} run db:generate`);
+  return steps;
+}
+
+// Rebuild the plan of a failed run from the manifest it left behind and
+// apply the steps it did not finish
+async function resumeProject(options, { onProgress, captureOutput, signal }) {
+  const manifest = readManifest(options.resume);
+  const plan = buildProjectPlan(manifest.answers, {
+    templateDir: manifest.templateDir,
+    root: options.resume,
+    createdAt: manifest.createdAt,
+  });
+  if (options.dryRun) return { plan, answers: manifest.answers, failed: [] };
+
+  const failed = await applyPlan(plan, {
+    manifest,
+    resume: true,
+    rollback: options.rollback,
+    onProgress,
+    captureOutput,
+    signal,
+  });
+  return { plan, answers: manifest.answers, failed };
+}
+
+// What init does, given options as resolveOptions returns them: ask for the
+// answers, build the plan and apply it unless it is a dry run. The project
+// goes in dir, or a folder named after the project in the current directory.
+export async function createProject(
+  options,
+  {
+    dir,
+    ask = createPrompter(options),
+    note,
+    onProgress = printProgress,
+    captureOutput = false,
+    signal,
+  } = {}
+) {
+  if (options.resume) {
+    return resumeProject(options, { onProgress, captureOutput, signal });
+  }
+
+  const answers = await askProjectAnswers(ask, {
+    packages: options.packages,
+    note,
+  });
+  const projectAnswers = {
+    ...answers,
+    packageManager: options.answers.packageManager ?? detectPackageManager(),
+    exactVersions: options.answers.exactVersions,
+    skipInstall: options.answers.skipInstall,
+    preferOffline: options.answers.preferOffline,
+  };
+  // Names the migrations the same way when a failed run is resumed
+  const createdAt = new Date().toISOString();
+  const plan = buildProjectPlan(projectAnswers, {
+    templateDir: options.templateDir,
+    root: dir,
+    createdAt,
+  });
+  if (options.dryRun) return { plan, answers: projectAnswers, failed: [] };
+
+  const failed = await applyPlan(plan, {
+    manifest: {
+      answers: projectAnswers,
+      templateDir: options.templateDir && path.resolve(options.templateDir),
+      createdAt,
+      completed: [],
+    },
+    rollback: options.rollback,
+    onProgress,
+    captureOutput,
+    signal,
+  });
+  return { plan, answers: projectAnswers, failed };
+}
+
+// Set up a project without prompting, for tools that use express-app-init as
+// a library. options takes the same keys as a --preset file (name, ts, orm,
+// db, packages, ...), and every question they leave out gets its default. The
+// project goes in dir, which must not exist yet; without dir it goes in a
+// folder named after the project in the current directory.
+//
+// Nothing is printed: onProgress gets an event for each stage and step, the
+// output of each command as it arrives, files kept and optional commands that
+// failed. Aborting signal stops the command that is running and fails the
+// run. Resolves to what was set up, or what would be with dryRun; a failed
+// run rejects with the error applyPlan throws.
+export async function scaffold(options = {}, dir, { onProgress, signal } = {}) {
+  const resolved = resolveOptions({ ...options, yes: true });
+  // The project is named after dir unless options name it
+  if (dir !== undefined) {
+    resolved.answers.projectName ??= path.basename(path.resolve(dir));
+  }
+
+  const { plan, answers, failed } = await createProject(resolved, {
+    dir,
+    onProgress: onProgress ?? (() => {}),
+    captureOutput: true,
+    signal,
+  });
+
+  const files = new Set();
+  const commands = [];
+  for (const step of plan.steps) {
+    if (step.type === "write" || step.type === "edit") files.add(step.path);
+    if (step.type === "run") {
+      commands.push(step.command);
+      if (!failed.includes(step.command)) {
+        step.creates.forEach((file) => files.add(file));
+      }
+    }
+  }
+
+  return {
+    dir: path.resolve(plan.root),
+    dryRun: resolved.dryRun,
+    answers,
+    files: [...files].sort(),
+    commands,
+    failed,
+    nextSteps: installSteps(answers),
+  };
+}
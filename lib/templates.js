@@ -0,0 +1,220 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const builtinDir = fileURLToPath(new URL("../templates/", import.meta.url));
+
+// Templates are plain text with two kinds of tags:
+//   {{ name }}                        insert a variable (dotted paths allowed)
+//   {{#if expr}} {{else if expr}} {{else}} {{/if}}
+//                                     keep a block when expr is truthy
+// Expressions support names, "strings", !, ==, !=, &&, || and parentheses.
+// A block tag alone on its line is removed together with that line, so
+// conditionals never leave blank lines or indentation behind.
+
+const blockLine =
+  /^[ \t]*(\{\{\s*(?:#if\b|else\b|\/if)[^}]*\}\})[ \t]*(?:\r?\n|$)/gm;
+const tagPattern = /\{\{\s*([^}]*?)\s*\}\}/g;
+
+function lookup(context, name) {
+  return name
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+function tokenizeExpression(expression) {
+  const tokens = [];
+  const pattern = /\s*(\|\||&&|==|!=|!|\(|\)|"[^"]*"|'[^']*'|[\w.-]+)/y;
+  while (pattern.lastIndex < expression.length) {
+    const match = pattern.exec(expression);
+    if (!match) throw new Error(`Invalid expression "${expression}"`);
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+function evaluate(expression, context) {
+  const tokens = tokenizeExpression(expression);
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const operand = () => {
+    const token = next();
+    if (token === undefined) {
+      throw new Error(`Unexpected end of expression "${expression}"`);
+    }
+    if (/^["']/.test(token)) return token.slice(1, -1);
+    if (token === "true") return true;
+    if (token === "false") return false;
+    return lookup(context, token);
+  };
+  const primary = () => {
+    if (peek() === "(") {
+      next();
+      const value = or();
+      if (next() !== ")") throw new Error(`Missing ) in "${expression}"`);
+      return value;
+    }
+    const left = operand();
+    const operator = peek();
+    if (operator !== "==" && operator !== "!=") return left;
+    next();
+    const right = operand();
+    return operator === "==" ? left === right : left !== right;
+  };
+  const unary = () => {
+    if (peek() === "!") {
+      next();
+      return !unary();
+    }
+    return primary();
+  };
+  const and = () => {
+    let value = unary();
+    while (peek() === "&&") {
+      next();
+      const right = unary();
+      value = value && right;
+    }
+    return value;
+  };
+  const or = () => {
+    let value = and();
+    while (peek() === "||") {
+      next();
+      const right = and();
+      value = value || right;
+    }
+    return value;
+  };
+
+  const value = or();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek()}" in expression "${expression}"`);
+  }
+  return Boolean(value);
+}
+
+function parse(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let current = root.children;
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(tagPattern)) {
+    if (match.index > lastIndex) {
+      current.push({
+        type: "text",
+        value: source.slice(lastIndex, match.index),
+      });
+    }
+    lastIndex = match.index + match[0].length;
+    const tag = match[1];
+
+    if (tag.startsWith("#if ")) {
+      const node = { type: "if", branches: [] };
+      node.branches.push({ test: tag.slice(4).trim(), children: [] });
+      current.push(node);
+      stack.push(node);
+      current = node.branches[0].children;
+    } else if (tag === "else" || tag.startsWith("else if ")) {
+      const node = stack[stack.length - 1];
+      if (node.type !== "if") throw new Error("{{else}} outside of {{#if}}");
+      const test = tag === "else" ? null : tag.slice(8).trim();
+      node.branches.push({ test, children: [] });
+      current = node.branches[node.branches.length - 1].children;
+    } else if (tag === "/if") {
+      if (stack.length === 1) throw new Error("{{/if}} without {{#if}}");
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current =
+        parent === root
+          ? root.children
+          : parent.branches[parent.branches.length - 1].children;
+    } else {
+      current.push({ type: "var", name: tag });
+    }
+  }
+  if (stack.length > 1) throw new Error("Unclosed {{#if}}");
+  if (lastIndex < source.length) {
+    current.push({ type: "text", value: source.slice(lastIndex) });
+  }
+  return root.children;
+}
+
+function renderNodes(nodes, context) {
+  let output = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      output += node.value;
+    } else if (node.type === "var") {
+      const value = lookup(context, node.name);
+      if (value === undefined) {
+        throw new Error(`Unknown template variable "${node.name}"`);
+      }
+      output += value;
+    } else {
+      const branch = node.branches.find(
+        ({ test }) => test === null || evaluate(test, context)
+      );
+      if (branch) output += renderNodes(branch.children, context);
+    }
+  }
+  return output;
+}
+
+export function renderString(source, context) {
+  return renderNodes(parse(source.replace(blockLine, "$1")), context);
+}
+
+function listTemplates(dir, prefix = "") {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      return listTemplates(path.join(dir, entry.name), name);
+    }
+    return entry.name.endsWith(".tmpl") ? [name.slice(0, -5)] : [];
+  });
+}
+
+// Renders templates by name ("server", "config/db/pg", ...). A template in
+// templateDir wins over the built-in one of the same name; templates there
+// with no built-in counterpart are extra files for the project (see extras).
+export function createRenderer({ templateDir } = {}) {
+  const dirs = templateDir
+    ? [path.resolve(templateDir), builtinDir]
+    : [builtinDir];
+  if (templateDir && !fs.existsSync(dirs[0])) {
+    throw new Error(`Template directory not found: ${templateDir}`);
+  }
+
+  const render = (name, context) => {
+    const dir = dirs.find((candidate) =>
+      fs.existsSync(path.join(candidate, `${name}.tmpl`))
+    );
+    if (!dir) throw new Error(`Template not found: ${name}`);
+    const source = fs.readFileSync(path.join(dir, `${name}.tmpl`), "utf-8");
+    try {
+      return renderString(source, context);
+    } catch (err) {
+      throw new Error(`Error rendering template ${name}: ${err.message}`);
+    }
+  };
+
+  // Extra templates are written to the project at their own path, which is
+  // itself rendered, e.g. "controller/health.{{ ext }}.tmpl".
+  const extras = (context) => {
+    if (!templateDir) return [];
+    const builtin = new Set(listTemplates(builtinDir));
+    return listTemplates(dirs[0])
+      .filter((name) => !builtin.has(name))
+      .map((name) => ({
+        path: renderString(name, context),
+        content: render(name, context),
+      }));
+  };
+
+  return { render, extras };
+}
@@ -0,0 +1,75 @@
+// Versions declared in package.json when installs are skipped (--skip-install).
+// Keep them on the majors the generated code is written for; Prisma stays on 6
+// because the schema uses the `prisma-client-js` generator and a datasource url,
+// and better-sqlite3 on 12, the range TypeORM supports.
+export const dependencyVersions = {
+  express: "5.2.1",
+  dotenv: "18.0.5",
+  zod: "4.6.5",
+  typescript: "7.0.2",
+  // typescript-eslint supports TypeScript up to 6.0, so projects linted with
+  // it (the quality preset) ask for typescript@6
+  "typescript@6": "6.0.3",
+  "@types/node": "26.6.4",
+  "@types/express": "5.0.6",
+  nodemon: "3.1.14",
+  tsx: "4.23.15",
+  "tsc-alias": "1.9.5",
+  jest: "30.5.2",
+  "@jest/globals": "30.5.2",
+  "@swc/core": "1.16.12",
+  "@swc/jest": "0.2.39",
+  vitest: "5.0.2",
+  supertest: "7.3.0",
+  "@types/supertest": "7.2.1",
+  prisma: "6.19.3",
+  "@prisma/client": "6.19.3",
+  "drizzle-orm": "0.45.3",
+  "drizzle-kit": "0.31.11",
+  typeorm: "1.1.1",
+  sequelize: "6.37.8",
+  umzug: "3.8.3",
+  knex: "3.3.0",
+  "@supabase/supabase-js": "2.117.2",
+  pg: "8.23.1",
+  "@types/pg": "8.23.1",
+  mysql2: "3.24.5",
+  mongoose: "9.10.4",
+  mongodb: "7.7.0",
+  "better-sqlite3": "12.9.0",
+  sqlite3: "6.0.1",
+  "@types/better-sqlite3": "9.6.0",
+  redis: "6.3.0",
+  jsonwebtoken: "9.0.3",
+  "@types/jsonwebtoken": "9.0.10",
+  bcrypt: "6.0.0",
+  "@types/bcrypt": "6.0.0",
+  helmet: "8.3.0",
+  "express-rate-limit": "8.7.0",
+  cors: "2.8.6",
+  "@types/cors": "2.8.19",
+  "cookie-parser": "1.4.7",
+  "@types/cookie-parser": "1.4.10",
+  nodemailer: "10.0.12",
+  "@types/nodemailer": "8.0.2",
+  pino: "10.4.0",
+  "pino-http": "11.0.0",
+  "swagger-ui-express": "5.0.1",
+  "@types/swagger-ui-express": "4.1.8",
+  eslint: "10.12.0",
+  "@eslint/js": "10.0.1",
+  "typescript-eslint": "8.71.0",
+  globals: "17.13.0",
+  prettier: "3.9.9",
+  "eslint-config-prettier": "10.1.8",
+  husky: "9.1.7",
+  "lint-staged": "17.6.0",
+};
+
+// Undefined for packages we don't know a version for (e.g. `add package
+// <name>`), which the package manager adds at the version it installs.
+export function declaredVersion(name, exact) {
+  const version = dependencyVersions[name];
+  if (!version) return undefined;
+  return exact ? version : `^${version}`;
+}
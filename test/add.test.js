@@ -0,0 +1,149 @@
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { addFeature } from "../lib/add.js";
+
+// A project as init leaves it, with an npm and npx on PATH that only record
+// the commands they get
+describe("addFeature", () => {
+  let tmp;
+  let cwd;
+  let pathEnv;
+  const read = (file) => fs.readFileSync(path.join(tmp, "app", file), "utf-8");
+  const npmCalls = () =>
+    fs.existsSync(path.join(tmp, "npm.log"))
+      ? fs.readFileSync(path.join(tmp, "npm.log"), "utf-8").trim().split("\n")
+      : [];
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), "express-app-init-"));
+    fs.mkdirSync(path.join(tmp, "bin"));
+    for (const bin of ["npm", "npx"]) {
+      fs.writeFileSync(
+        path.join(tmp, "bin", bin),
+        `#!/bin/sh\necho "${bin} $*" >> "${path.join(tmp, "npm.log")}"\n`,
+        { mode: 0o755 }
+      );
+    }
+    fs.mkdirSync(path.join(tmp, "app"));
+    fs.writeFileSync(
+      path.join(tmp, "app", "package.json"),
+      JSON.stringify({ name: "api", main: "server.js" })
+    );
+    fs.writeFileSync(path.join(tmp, "app", ".env"), "PORT=4000\nDB_HOST=db");
+
+    cwd = process.cwd();
+    pathEnv = process.env.PATH;
+    process.chdir(path.join(tmp, "app"));
+    process.env.PATH = `${path.join(tmp, "bin")}${path.delimiter}${pathEnv}`;
+  });
+  afterEach(() => {
+    process.chdir(cwd);
+    process.env.PATH = pathEnv;
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  it("adds a database client and the keys .env is missing", async () => {
+    await addFeature("db", ["postgres"], { answers: {} });
+
+    assert.match(read("config/db.js"), /require\("pg"\)/);
+    const env = read(".env");
+    assert.ok(env.startsWith("PORT=4000\nDB_HOST=db\nDB_USER=postgres\n"));
+    assert.match(env, /^DB_PORT=5432$/m);
+    assert.equal(env.match(/^DB_HOST=/gm).length, 1);
+    const { dependencies } = JSON.parse(read("package.json"));
+    assert.match(dependencies.pg, /^\^8\./);
+    assert.ok(dependencies.zod);
+    assert.deepEqual(npmCalls(), ["npm install"]);
+  });
+
+  it("installs any package, with its types in a TypeScript project", async () => {
+    fs.writeFileSync("tsconfig.json", "{}");
+
+    await addFeature("package", ["cors", "left-pad"], { answers: {} });
+
+    const packageJson = JSON.parse(read("package.json"));
+    assert.deepEqual(Object.keys(packageJson.dependencies), ["cors"]);
+    assert.deepEqual(Object.keys(packageJson.devDependencies), ["@types/cors"]);
+    // npm declares the version of left-pad it installs
+    assert.deepEqual(npmCalls(), ["npm install left-pad"]);
+  });
+
+  it("pins packages with --exact", async () => {
+    await addFeature("package", ["cors", "left-pad"], {
+      answers: { exactVersions: true },
+    });
+
+    assert.match(JSON.parse(read("package.json")).dependencies.cors, /^\d/);
+    assert.deepEqual(npmCalls(), ["npm install --save-exact left-pad"]);
+  });
+
+  it("declares unknown packages as latest without an install", async (t) => {
+    const log = t.mock.method(console, "log", () => {});
+
+    await addFeature("package", ["cors", "left-pad"], {
+      answers: { skipInstall: true },
+    });
+
+    const { dependencies } = JSON.parse(read("package.json"));
+    assert.match(dependencies.cors, /^\^/);
+    assert.equal(dependencies["left-pad"], "latest");
+    assert.deepEqual(npmCalls(), []);
+    assert.ok(
+      log.mock.calls.some(({ arguments: [line] }) =>
+        /left-pad is declared as "latest"/.test(line)
+      )
+    );
+  });
+
+  it("keeps a file that differs from the generated one unless forced", async () => {
+    fs.writeFileSync("Dockerfile", "FROM scratch\n");
+
+    await addFeature("docker", [], { answers: {} });
+    assert.equal(read("Dockerfile"), "FROM scratch\n");
+
+    await addFeature("docker", [], { answers: {}, force: true });
+    assert.match(read("Dockerfile"), /^FROM node/m);
+  });
+
+  it("writes nothing on a dry run", async () => {
+    await addFeature("db", ["mysql"], { answers: {}, dryRun: true });
+
+    assert.ok(!fs.existsSync("config"));
+    assert.equal(read(".env"), "PORT=4000\nDB_HOST=db");
+    assert.deepEqual(npmCalls(), []);
+  });
+
+  it("sets up Prisma with its client and seed without a database", async () => {
+    await addFeature("prisma", [], { answers: {} });
+
+    assert.match(read("config/db.js"), /PrismaClient/);
+    assert.match(read("prisma/schema.prisma"), /^model Item \{/m);
+    assert.match(read("prisma/seed.js"), /require\("\.\.\/config\/db"\)/);
+    assert.equal(
+      JSON.parse(read("package.json")).prisma.seed,
+      "node prisma/seed.js"
+    );
+    assert.deepEqual(npmCalls(), ["npm install", "npx prisma generate"]);
+  });
+
+  it("refuses features that are set up or unknown", async () => {
+    fs.mkdirSync("prisma");
+    fs.writeFileSync("prisma/schema.prisma", "");
+
+    await assert.rejects(
+      addFeature("prisma", [], { answers: {} }),
+      /already set up/
+    );
+    await assert.rejects(
+      addFeature("db", ["oracle"], { answers: {} }),
+      /Usage:/
+    );
+    await assert.rejects(
+      addFeature("redis", [], { answers: {} }),
+      /Unknown feature/
+    );
+  });
+});
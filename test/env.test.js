@@ -0,0 +1,89 @@
+import assert from "assert/strict";
+import { describe, it } from "node:test";
+import {
+  appendEnv,
+  appendEnvSchema,
+  createEnv,
+  formatEnv,
+  formatEnvExample,
+  parseEnvFile,
+} from "../lib/env.js";
+
+describe("parseEnvFile", () => {
+  it("reads keys and values, without quotes, comments or blank lines", () => {
+    const content = [
+      "# database",
+      "",
+      "PORT=3000",
+      'DATABASE_URL="postgres://u:p@localhost/db"',
+      "export SECRET='a b'",
+      "  SPACED = value  ",
+    ].join("\n");
+
+    assert.deepEqual(parseEnvFile(content), {
+      PORT: "3000",
+      DATABASE_URL: "postgres://u:p@localhost/db",
+      SECRET: "a b",
+      SPACED: "value",
+    });
+  });
+});
+
+describe("appendEnv", () => {
+  const env = createEnv();
+  env.set("PORT", 3000, { kind: "port" });
+  env.set("JWT_SECRET", "s3cret value", { secret: true });
+
+  it("appends only the keys the file doesn't have", () => {
+    assert.equal(
+      appendEnv("PORT=4000", env.entries(), formatEnv),
+      'PORT=4000\nJWT_SECRET="s3cret value"\n'
+    );
+  });
+
+  it("writes placeholders for secrets in .env.example", () => {
+    assert.equal(
+      appendEnv("", env.entries(), formatEnvExample),
+      "PORT=3000\nJWT_SECRET=change-me\n"
+    );
+  });
+
+  it("leaves a file that has every key alone", () => {
+    const content = "PORT=1\nJWT_SECRET=x";
+
+    assert.equal(appendEnv(content, env.entries(), formatEnv), content);
+  });
+});
+
+describe("appendEnvSchema", () => {
+  const schema = [
+    "const schema = z.object({",
+    "  PORT: z.coerce.number().int().min(1).max(65535),",
+    "});",
+    "",
+  ].join("\n");
+
+  it("adds the missing keys at the end of the schema", () => {
+    const env = createEnv();
+    env.set("PORT", 3000, { kind: "port" });
+    env.set("CACHE_TTL_SECONDS", 60, { kind: "number", fallback: 60 });
+
+    assert.equal(
+      appendEnvSchema(schema, env.entries()),
+      [
+        "const schema = z.object({",
+        "  PORT: z.coerce.number().int().min(1).max(65535),",
+        "  CACHE_TTL_SECONDS: z.coerce.number().int().positive().default(60),",
+        "});",
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("leaves a schema that validates every key alone", () => {
+    const env = createEnv();
+    env.set("PORT", 3000, { kind: "port" });
+
+    assert.equal(appendEnvSchema(schema, env.entries()), schema);
+  });
+});
@@ -0,0 +1,152 @@
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { generate } from "../lib/generate.js";
+import { resourceNames } from "../lib/names.js";
+
+describe("resourceNames", () => {
+  it("derives identifiers, table and file names", () => {
+    assert.deepEqual(resourceNames("blogPosts"), {
+      name: "blogPosts",
+      Names: "BlogPosts",
+      model: "blogPost",
+      Model: "BlogPost",
+      table: "blog_posts",
+      fileName: "blog-posts",
+      modelFileName: "blog-post",
+    });
+    assert.equal(resourceNames("categories").model, "category");
+    assert.equal(resourceNames("boxes").model, "box");
+  });
+
+  it("rejects names that are not identifiers", () => {
+    assert.throws(() => resourceNames("1users"), /Invalid resource name/);
+    assert.throws(() => resourceNames("../users"), /Invalid resource name/);
+  });
+});
+
+describe("generate resource", () => {
+  let tmp;
+  let cwd;
+  const read = (file) => fs.readFileSync(path.join(tmp, file), "utf-8");
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(tmp, file)), { recursive: true });
+    fs.writeFileSync(path.join(tmp, file), content);
+  };
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), "express-app-init-"));
+    cwd = process.cwd();
+    process.chdir(tmp);
+  });
+  afterEach(() => {
+    process.chdir(cwd);
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  it("mounts each new router in routes/route once", async () => {
+    write("package.json", JSON.stringify({ name: "api", main: "server.js" }));
+    write(
+      "routes/route.js",
+      [
+        'const { Router } = require("express");',
+        "",
+        "const route = Router();",
+        "",
+        "module.exports = route;",
+        "",
+      ].join("\n")
+    );
+
+    await generate("resource", "users", { answers: {} });
+    await generate("resource", "blog-posts", { answers: {} });
+    await generate("resource", "users", { answers: {}, force: true });
+
+    assert.equal(
+      read("routes/route.js"),
+      [
+        'const { Router } = require("express");',
+        'const usersRouter = require("./users");',
+        'const blogPostsRouter = require("./blog-posts");',
+        "",
+        "const route = Router();",
+        "",
+        'route.use("/users", usersRouter);',
+        'route.use("/blog-posts", blogPostsRouter);',
+        "",
+        "module.exports = route;",
+        "",
+      ].join("\n")
+    );
+    for (const file of [
+      "controller/users.js",
+      "routes/users.js",
+      "models/user.js",
+      "models/blog-post.js",
+    ]) {
+      assert.ok(fs.existsSync(path.join(tmp, file)), `${file} is written`);
+    }
+  });
+
+  it("writes SQL queries for the project's database", async () => {
+    write(
+      "package.json",
+      JSON.stringify({ name: "api", dependencies: { pg: "^8.0.0" } })
+    );
+    write("tsconfig.json", "{}");
+    write(
+      "routes/route.ts",
+      [
+        'import { Router } from "express";',
+        "",
+        "const route = Router();",
+        "",
+        "export default route;",
+        "",
+      ].join("\n")
+    );
+
+    await generate("resource", "users", { answers: {} });
+
+    assert.match(read("queries/users.ts"), /FROM users/);
+    const [migration] = fs.readdirSync(path.join(tmp, "queries/migrations"));
+    assert.match(migration, /^\d+_create_users\.sql$/);
+    assert.match(read(`queries/migrations/${migration}`), /CREATE TABLE users/);
+    assert.match(read("routes/route.ts"), /^import usersRouter from/m);
+    assert.match(read("routes/route.ts"), /^route\.use\("\/users"/m);
+  });
+
+  it("adds a model to the Prisma schema", async () => {
+    write("package.json", JSON.stringify({ name: "api" }));
+    write(
+      "prisma/schema.prisma",
+      'datasource db {\n  provider = "postgresql"\n  url = env("DATABASE_URL")\n}\n'
+    );
+
+    await generate("resource", "users", { answers: {} });
+
+    assert.match(read("prisma/schema.prisma"), /^model User \{/m);
+  });
+
+  it("leaves a routes/route it doesn't recognise alone", async () => {
+    write("package.json", JSON.stringify({ name: "api" }));
+    write("routes/route.js", "module.exports = require('./custom');\n");
+
+    await generate("resource", "users", { answers: {} });
+
+    assert.equal(
+      read("routes/route.js"),
+      "module.exports = require('./custom');\n"
+    );
+    assert.ok(fs.existsSync(path.join(tmp, "routes/users.js")));
+  });
+
+  it("only knows how to generate resources", async () => {
+    await assert.rejects(
+      generate("service", "users", { answers: {} }),
+      /Unknown generator/
+    );
+  });
+});
@@ -0,0 +1,161 @@
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { resolveOptions } from "../lib/options.js";
+import { createPrompter } from "../lib/prompt.js";
+
+describe("resolveOptions", () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "express-app-init-"));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("maps flags to the answers init asks for", () => {
+    const options = resolveOptions({
+      name: "api",
+      ts: false,
+      db: "postgres",
+      offline: true,
+      packages: "cors, jsonwebtoken",
+    });
+
+    assert.deepEqual(options.answers, {
+      projectName: "api",
+      useTypescript: false,
+      skipInstall: true,
+      setupDb: true,
+      selectedDb: "postgres",
+    });
+    assert.deepEqual(
+      options.packages.map((pkg) => pkg.name),
+      ["jsonwebtoken", "cors"]
+    );
+    assert.equal(options.yes, false);
+  });
+
+  it("reads a YAML preset, with flags winning over it", () => {
+    const preset = path.join(dir, "team.yaml");
+    fs.writeFileSync(preset, "name: from-preset\nport: 4000\ndb: none\n");
+
+    const options = resolveOptions({ preset, name: "from-flag" });
+
+    assert.equal(options.answers.projectName, "from-flag");
+    assert.equal(options.answers.port, 4000);
+    assert.equal(options.answers.setupDb, false);
+  });
+
+  it("maps --prisma to the prisma ORM unless --orm is given", () => {
+    assert.equal(resolveOptions({ prisma: true }).answers.orm, "prisma");
+    assert.equal(
+      resolveOptions({ prisma: true, orm: "drizzle" }).answers.orm,
+      "drizzle"
+    );
+  });
+
+  it("treats packages: none as no packages", () => {
+    assert.deepEqual(resolveOptions({ packages: "none" }).packages, []);
+  });
+
+  it("rejects unknown databases and packages", () => {
+    assert.throws(
+      () => resolveOptions({ db: "oracle" }),
+      /Unknown database "oracle"/
+    );
+    assert.throws(
+      () => resolveOptions({ packages: ["left-pad"] }),
+      /Unknown optional package\(s\): left-pad/
+    );
+  });
+
+  it("rejects a preset that is not an object", () => {
+    const preset = path.join(dir, "list.json");
+    fs.writeFileSync(preset, "[1, 2]");
+
+    assert.throws(
+      () => resolveOptions({ preset }),
+      /must contain an object of answers/
+    );
+  });
+});
+
+describe("createPrompter", () => {
+  const questions = [
+    { name: "projectName", message: "Project Name", default: "server" },
+    {
+      type: "confirm",
+      name: "useTypescript",
+      message: "Would you like to use TypeScript?",
+      default: true,
+    },
+    {
+      type: "list",
+      name: "orm",
+      message: "Which ORM / query layer would you like to use?",
+      choices: ["prisma", "none"],
+      default: "none",
+    },
+  ];
+
+  // node --test runs each file without a terminal, but make sure
+  let isTTY;
+  beforeEach(() => {
+    isTTY = process.stdin.isTTY;
+    process.stdin.isTTY = false;
+  });
+  afterEach(() => {
+    process.stdin.isTTY = isTTY;
+  });
+
+  it("takes the defaults with yes", async () => {
+    const ask = createPrompter({ yes: true });
+
+    assert.deepEqual(await ask(questions), {
+      projectName: "server",
+      useTypescript: true,
+      orm: "none",
+    });
+  });
+
+  it("prefers given answers, coercing them like the prompt would", async () => {
+    const ask = createPrompter({
+      answers: { projectName: "api", useTypescript: "false", orm: "prisma" },
+    });
+
+    assert.deepEqual(await ask(questions), {
+      projectName: "api",
+      useTypescript: false,
+      orm: "prisma",
+    });
+  });
+
+  it("names the flag of the first unanswered question without a TTY", async () => {
+    const ask = createPrompter({ answers: { projectName: "api" } });
+
+    await assert.rejects(ask(questions), (err) => {
+      assert.match(err.message, /Would you like to use TypeScript\?/);
+      assert.match(err.message, /no TTY available/);
+      assert.match(err.message, /Pass --ts/);
+      return true;
+    });
+  });
+
+  it("rejects answers the prompt would not accept", async () => {
+    const ask = createPrompter({ answers: { orm: "mongoose" }, yes: true });
+
+    await assert.rejects(ask(questions), /Invalid answer "mongoose"/);
+  });
+
+  it("fails with yes when a question has no default", async () => {
+    const ask = createPrompter({ yes: true });
+
+    await assert.rejects(
+      ask([{ name: "dbUser", message: "Enter your database username:" }]),
+      /it has no default/
+    );
+  });
+});
@@ -0,0 +1,129 @@
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import {
+  applyPlan,
+  createPlan,
+  manifestFile,
+  readManifest,
+} from "../lib/plan.js";
+
+describe("applyPlan", () => {
+  let tmp;
+  let root;
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), "express-app-init-"));
+    root = path.join(tmp, "my-api");
+  });
+  afterEach(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  // Stands in for an install that fails until the registry is reachable
+  function installPlan() {
+    const plan = createPlan(root);
+    plan.stage("Writing files...");
+    plan.write("package.json", "{}\n");
+    plan.stage("Installing dependencies...");
+    plan.run("test -f registry-up", { creates: ["package-lock.json"] });
+    plan.write("server.js", "// server\n");
+    return plan;
+  }
+  const newManifest = () => ({
+    answers: { projectName: "my-api" },
+    completed: [],
+  });
+
+  it("keeps a failed project with a manifest to resume it from", async () => {
+    await assert.rejects(
+      async () => applyPlan(installPlan(), { manifest: newManifest() }),
+      (err) => {
+        assert.match(
+          err.message,
+          /Step 2 of 3 failed \(Installing dependencies/
+        );
+        assert.match(err.message, /test -f registry-up/);
+        assert.equal(err.root, root);
+        assert.equal(err.resumable, true);
+        assert.deepEqual(err.step, {
+          index: 1,
+          total: 3,
+          label: "test -f registry-up",
+          stage: "Installing dependencies...",
+        });
+        return true;
+      }
+    );
+
+    const manifest = readManifest(root);
+    assert.deepEqual(manifest.answers, { projectName: "my-api" });
+    assert.deepEqual(manifest.completed, ["write package.json"]);
+    assert.ok(!fs.existsSync(path.join(root, "server.js")));
+  });
+
+  it("resumes at the failed step without redoing the finished ones", async () => {
+    await assert.rejects(async () =>
+      applyPlan(installPlan(), { manifest: newManifest() })
+    );
+    fs.writeFileSync(path.join(root, "package.json"), '{ "kept": true }\n');
+    fs.writeFileSync(path.join(root, "registry-up"), "");
+
+    await applyPlan(installPlan(), {
+      manifest: readManifest(root),
+      resume: true,
+    });
+
+    assert.equal(
+      fs.readFileSync(path.join(root, "package.json"), "utf-8"),
+      '{ "kept": true }\n'
+    );
+    assert.ok(fs.existsSync(path.join(root, "server.js")));
+    assert.ok(!fs.existsSync(path.join(root, manifestFile)));
+  });
+
+  it("refuses to resume a plan that no longer matches the manifest", async () => {
+    await assert.rejects(async () =>
+      applyPlan(installPlan(), { manifest: newManifest() })
+    );
+    const changed = createPlan(root);
+    changed.write("package.json5", "{}\n");
+    changed.run("test -f registry-up");
+
+    await assert.rejects(
+      async () =>
+        applyPlan(changed, { manifest: readManifest(root), resume: true }),
+      /Cannot resume .*step 1 was "write package.json" but is now "write package.json5"/
+    );
+  });
+
+  it("removes the project when a step fails with rollback", async () => {
+    await assert.rejects(
+      async () =>
+        applyPlan(installPlan(), { manifest: newManifest(), rollback: true }),
+      (err) => {
+        assert.match(err.message, /Rolled back: removed /);
+        assert.equal(err.resumable, false);
+        return true;
+      }
+    );
+
+    assert.ok(!fs.existsSync(root));
+  });
+
+  it("points at --resume when the directory holds a failed run", async () => {
+    await assert.rejects(async () =>
+      applyPlan(installPlan(), { manifest: newManifest() })
+    );
+
+    await assert.rejects(
+      async () => applyPlan(installPlan(), { manifest: newManifest() }),
+      (err) => {
+        assert.match(err.message, /already exists\. A previous run stopped/);
+        assert.equal(err.resumable, true);
+        return true;
+      }
+    );
+  });
+});
@@ -0,0 +1,90 @@
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, describe, it } from "node:test";
+import { scaffold } from "../index.js";
+import { manifestFile } from "../lib/plan.js";
+
+describe("scaffold", () => {
+  let tmp;
+  before(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), "express-app-init-"));
+  });
+  after(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  it("writes a project with skipInstall, reporting progress", async () => {
+    const dir = path.join(tmp, "my-api");
+    const events = [];
+
+    const result = await scaffold(
+      { skipInstall: true, git: false, packageManager: "npm" },
+      dir,
+      { onProgress: (event) => events.push(event) }
+    );
+
+    assert.equal(result.dir, dir);
+    assert.deepEqual(result.commands, []);
+    assert.deepEqual(result.failed, []);
+    assert.deepEqual(result.nextSteps, ["npm install"]);
+    for (const file of ["package.json", "server.ts", "app.ts", ".env"]) {
+      assert.ok(result.files.includes(file), `${file} is listed`);
+      assert.ok(fs.existsSync(path.join(dir, file)), `${file} is written`);
+    }
+    assert.ok(!fs.existsSync(path.join(dir, manifestFile)));
+
+    const packageJson = JSON.parse(
+      fs.readFileSync(path.join(dir, "package.json"), "utf-8")
+    );
+    assert.equal(packageJson.name, "my-api");
+    assert.match(packageJson.dependencies.express, /^\^5\./);
+
+    assert.ok(events.some((event) => event.type === "stage"));
+    assert.ok(
+      events.some(
+        (event) => event.type === "write" && event.path === "package.json"
+      )
+    );
+  });
+
+  it("pins pnpm for corepack when no version was detected", async () => {
+    const dir = path.join(tmp, "pnpm-api");
+
+    await scaffold(
+      { skipInstall: true, git: false, packageManager: "pnpm", docker: true },
+      dir
+    );
+
+    const packageJson = JSON.parse(
+      fs.readFileSync(path.join(dir, "package.json"), "utf-8")
+    );
+    assert.match(packageJson.packageManager, /^pnpm@10\.\d+\.\d+$/);
+    const dockerfile = fs.readFileSync(path.join(dir, "Dockerfile"), "utf-8");
+    assert.match(dockerfile, /^FROM node:24-alpine AS base$/m);
+    assert.match(dockerfile, /^RUN corepack enable$/m);
+  });
+
+  it("writes nothing on a dry run", async () => {
+    const dir = path.join(tmp, "dry");
+
+    const result = await scaffold({ dryRun: true, openapi: true }, dir);
+
+    assert.equal(result.dryRun, true);
+    assert.ok(result.files.includes("routes/docs.ts"));
+    assert.ok(result.commands.some((command) => command === "git init"));
+    assert.ok(!fs.existsSync(dir));
+  });
+
+  it("refuses a directory that already exists", async () => {
+    await assert.rejects(
+      scaffold({ skipInstall: true, git: false }, path.join(tmp, "my-api")),
+      (err) => {
+        assert.match(err.message, /already exists/);
+        assert.equal(err.resumable, undefined);
+        return true;
+      }
+    );
+  });
+});
@@ -0,0 +1,74 @@
+import assert from "assert/strict";
+import { describe, it } from "node:test";
+import { renderString } from "../lib/templates.js";
+
+describe("renderString", () => {
+  it("inserts variables, including dotted paths", () => {
+    assert.equal(
+      renderString("{{ name }} on {{ server.port }}", {
+        name: "api",
+        server: { port: 3000 },
+      }),
+      "api on 3000"
+    );
+  });
+
+  it("throws on an unknown variable", () => {
+    assert.throws(
+      () => renderString("{{ missing }}", {}),
+      /Unknown template variable "missing"/
+    );
+  });
+
+  it("picks the first branch of if / else if / else that holds", () => {
+    const source = [
+      '{{#if db == "mysql"}}',
+      "mysql",
+      "{{else if ts && !esm}}",
+      "ts",
+      "{{else}}",
+      "other",
+      "{{/if}}",
+      "",
+    ].join("\n");
+
+    assert.equal(renderString(source, { db: "mysql" }), "mysql\n");
+    assert.equal(renderString(source, { ts: true, esm: false }), "ts\n");
+    assert.equal(renderString(source, { ts: true, esm: true }), "other\n");
+  });
+
+  it("supports parentheses and ||", () => {
+    const source = "{{#if (a || b) && c}}yes{{else}}no{{/if}}";
+
+    assert.equal(renderString(source, { b: true, c: true }), "yes");
+    assert.equal(renderString(source, { a: true, c: false }), "no");
+  });
+
+  it("removes block tags on their own line along with the line", () => {
+    const source = [
+      "start",
+      "  {{#if on}}",
+      "  kept",
+      "  {{/if}}",
+      "  {{#if off}}",
+      "  dropped",
+      "  {{/if}}",
+      "end",
+    ].join("\n");
+
+    assert.equal(renderString(source, { on: true }), "start\n  kept\nend");
+  });
+
+  it("keeps the text around inline block tags", () => {
+    assert.equal(
+      renderString("{{#if esm}}export {{/if}}const x = 1;", { esm: true }),
+      "export const x = 1;"
+    );
+  });
+
+  it("rejects unbalanced blocks", () => {
+    assert.throws(() => renderString("{{#if a}}x", {}), /Unclosed \{\{#if\}\}/);
+    assert.throws(() => renderString("x{{/if}}", {}), /without \{\{#if\}\}/);
+    assert.throws(() => renderString("{{else}}", {}), /outside of/);
+  });
+});